@@ -2,42 +2,555 @@
 
 var async = require('async');
 var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
 var fs = require('fs');
 var GoogleAuth = require('google-auth-library').GoogleAuth;
 var gcpMetadata = require('gcp-metadata');
+var os = require('os');
 var path = require('path');
 var request = require('request');
+var url = require('url');
 
-class Auth {
+var CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+var GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+var GOOGLE_TOKEN_URL = 'https://www.googleapis.com/oauth2/v4/token';
+var IAM_CREDENTIALS_URL = 'https://iamcredentials.googleapis.com/v1';
+var IAP_CERTS_URL = 'https://www.gstatic.com/iap/verify/public_key-jwk';
+var PUBLIC_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509';
+var STORAGE_URL = 'https://storage.googleapis.com';
+var STS_TOKEN_URL = 'https://sts.googleapis.com/v1/token';
+
+// Cloud Storage V4 signatures.
+var GOOG4_ALGORITHM = 'GOOG4-RSA-SHA256';
+var MAX_GOOG4_LIFETIME = 7 * 24 * 60 * 60;
+
+var METADATA_HOST = 'metadata.google.internal';
+var METADATA_IP = '169.254.169.254';
+
+// Off Google Cloud, the metadata server may never answer, so it isn't waited on
+// for long.
+var DEFAULT_METADATA_TIMEOUT = 3000;
+var DEFAULT_METADATA_RETRIES = 2;
+
+// How long JWTs from `signJwt` are valid for, in seconds, by default.
+var DEFAULT_JWT_LIFETIME = 60 * 60;
+
+// Google signs ID tokens with RS256, and IAP signs its JWT assertions with
+// ES256.
+var ID_TOKEN_SIGNERS = {
+  RS256: {
+    certsUrl: GOOGLE_CERTS_URL,
+    issuers: ['accounts.google.com', 'https://accounts.google.com'],
+    keyType: 'rsa'
+  },
+  ES256: {
+    certsUrl: IAP_CERTS_URL,
+    issuers: ['https://cloud.google.com/iap'],
+    keyType: 'ec'
+  }
+};
+
+// How far apart, in seconds, our clock and the token issuer's can be.
+var DEFAULT_CLOCK_SKEW = 5 * 60;
+
+// How often a failed background refresh is retried.
+var BACKGROUND_REFRESH_RETRY_DELAY = 30 * 1000;
+
+// Tokens are treated as expired this long before they actually expire, unless
+// `config.refreshWindow` says otherwise.
+var DEFAULT_REFRESH_WINDOW = 5 * 60 * 1000;
+
+// A rotated key file is reloaded once it hasn't changed for this long.
+var KEY_FILE_RELOAD_DELAY = 100;
+
+// How often a key file is checked for changes where it can't be watched.
+var DEFAULT_KEY_FILE_POLL_INTERVAL = 5000;
+
+// An auth client for workload identity federation. A token from another
+// identity provider, the subject token, is exchanged at the Security Token
+// Service for a Google access token. That can then be exchanged for a service
+// account's access token.
+//
+// Ref: https://cloud.google.com/iam/docs/workload-identity-federation
+class ExternalAccountClient {
+  constructor (json) {
+    var impersonation = json.service_account_impersonation || {};
+
+    this.audience = json.audience;
+    this.credentialSource = json.credential_source || {};
+    this.credentials = {};
+    this.eagerRefreshThresholdMillis = 0;
+    this.email = getServiceAccountFromUrl(json.service_account_impersonation_url);
+    this.impersonationLifetime = impersonation.token_lifetime_seconds;
+    this.impersonationUrl = json.service_account_impersonation_url;
+    this.json = json;
+    this.scopes = null;
+    this.subjectTokenType = json.subject_token_type;
+    this.tokenUrl = json.token_url || STS_TOKEN_URL;
+  }
+
+  createScoped (scopes) {
+    var client = new ExternalAccountClient(this.json);
+    client.scopes = scopes;
+    return client;
+  }
+
+  // Tokens are scoped to "cloud-platform" when no scopes are given.
+  createScopedRequired () {
+    return false;
+  }
+
+  getAccessToken (callback) {
+    var credentials = this.credentials;
+
+    if (credentials.access_token && credentials.expiry_date - this.eagerRefreshThresholdMillis > Date.now()) {
+      setImmediate(callback, null, credentials.access_token);
+      return;
+    }
+
+    this.refreshAccessToken((err, credentials) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, credentials.access_token);
+    });
+  }
+
+  // As google-auth-library's clients do, this returns a Promise for
+  // `{ headers }` when no callback is given.
+  getRequestMetadata (url, callback) {
+    if (typeof callback !== 'function') {
+      return new Promise((resolve, reject) => {
+        this.getRequestMetadata(url, (err, headers) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          resolve({ headers: headers });
+        });
+      });
+    }
+
+    this.getAccessToken((err, token) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, { Authorization: `Bearer ${token}` });
+    });
+  }
+
+  refreshAccessToken (callback) {
+    var onToken = (token, expiresAt) => {
+      this.credentials = {
+        access_token: token,
+        expiry_date: expiresAt
+      };
+
+      callback(null, this.credentials);
+    };
+
+    this._getSubjectToken((err, subjectToken) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      this._exchangeSubjectToken(subjectToken, (err, body) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        if (!this.impersonationUrl) {
+          onToken(body.access_token, Date.now() + body.expires_in * 1000);
+          return;
+        }
+
+        this._requestImpersonatedToken(body.access_token, (err, body) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          onToken(body.accessToken, Date.parse(body.expireTime));
+        });
+      });
+    });
+  }
+
+  _exchangeSubjectToken (subjectToken, callback) {
+    // The service account's token is the one that needs the requested scopes.
+    var scopes = this.impersonationUrl ? [CLOUD_PLATFORM_SCOPE] : this._getScopes();
+
+    makeRequest({
+      method: 'POST',
+      uri: this.tokenUrl,
+      form: {
+        grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+        audience: this.audience,
+        scope: scopes.join(' '),
+        requested_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+        subject_token: subjectToken,
+        subject_token_type: this.subjectTokenType
+      },
+      json: true
+    }, callback);
+  }
+
+  _getScopes () {
+    return this.scopes && this.scopes.length > 0 ? this.scopes : [CLOUD_PLATFORM_SCOPE];
+  }
+
+  // The subject token is read from a file or a URL, each time it's needed, as
+  // the identity provider may replace it.
+  _getSubjectToken (callback) {
+    var credentialSource = this.credentialSource;
+    var format = credentialSource.format || {};
+
+    var onContents = (err, contents) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var subjectToken = contents;
+
+      if (format.type === 'json') {
+        try {
+          subjectToken = JSON.parse(contents)[format.subject_token_field_name];
+        } catch (e) {
+          callback(e);
+          return;
+        }
+      }
+
+      if (!subjectToken || !String(subjectToken).trim()) {
+        callback(new Error('The credential source did not contain a subject token.'));
+        return;
+      }
+
+      callback(null, String(subjectToken).trim());
+    };
+
+    if (credentialSource.file) {
+      fs.readFile(credentialSource.file, 'utf8', onContents);
+      return;
+    }
+
+    if (credentialSource.url) {
+      makeRequest({
+        method: 'GET',
+        uri: credentialSource.url,
+        headers: credentialSource.headers
+      }, onContents);
+      return;
+    }
+
+    setImmediate(callback, new Error('Only file and URL credential sources are supported.'));
+  }
+
+  _requestImpersonatedToken (token, callback) {
+    var json = {
+      scope: this._getScopes()
+    };
+
+    if (this.impersonationLifetime) {
+      json.lifetime = `${this.impersonationLifetime}s`;
+    }
+
+    makeRequest({
+      method: 'POST',
+      uri: this.impersonationUrl,
+      headers: {
+        Authorization: `Bearer ${token}`
+      },
+      json: json
+    }, callback);
+  }
+}
+
+class Auth extends EventEmitter {
   constructor(config) {
+    super();
+
     this.authClientPromise = null;
     this.authClient = null;
+    this.baseAuth = null;
     this.googleAuthClient = null;
     this.config = config || {};
+    this.credentialSource = null;
     this.credentials = null;
+    this.delegatedToken = null;
+    this.derivedClients = {};
     this.environment = {};
+    this.idTokens = {};
+    this.impersonatedToken = null;
+    this.instanceInfo = null;
+    this.jwtAccessTokens = {};
     this.jwtClient = null;
+    this.keyFileReloadTimer = null;
+    this.keyFileReloading = false;
+    this.keyFileWatcher = null;
+    this.metadataHost = this.config.metadataHost || process.env.GCE_METADATA_HOST || METADATA_HOST;
+    this.metadataRetries = typeof this.config.metadataRetries === 'number' ?
+      this.config.metadataRetries :
+      DEFAULT_METADATA_RETRIES;
+    this.metadataTimeout = typeof this.config.metadataTimeout === 'number' ?
+      this.config.metadataTimeout :
+      DEFAULT_METADATA_TIMEOUT;
     this.projectId = this.config.projectId;
-    this.token = this.config.token;
+    this.projectIdSource = this.config.projectId ? 'config' : null;
+    this.providedToken = null;
+    this.providedTokenCallbacks = null;
+    this.publicCerts = {};
+    this.refreshScheduledFor = null;
+    this.refreshTimer = null;
+    this.refreshWindow = typeof this.config.refreshWindow === 'number' ?
+      this.config.refreshWindow :
+      DEFAULT_REFRESH_WINDOW;
+    this.sourceTokenInvalidated = false;
+
+    if (typeof this.config.token === 'function') {
+      this.token = null;
+      this.tokenProvider = this.config.token;
+    } else {
+      this.token = this.config.token;
+      this.tokenProvider = null;
+    }
   }
 
-  authorizeRequest (reqOpts, callback) {
-    this.getToken((err, token) => {
+  authorizeRequest (reqOpts, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    if (options.scopes) {
+      this.withScopes(options.scopes).authorizeRequest(reqOpts, withoutScopes(options), callback);
+      return;
+    }
+
+    var getToken;
+
+    // API keys are for Google APIs, so they aren't sent with ID tokens.
+    var apiKey = options.idTokenAudience ? null : this._getApiKey();
+
+    if (options.idTokenAudience) {
+      getToken = this.getIdToken.bind(this, options.idTokenAudience);
+    } else if (apiKey && !options.audience && !options.withToken) {
+      getToken = callback => setImmediate(callback, null, null);
+    } else if (options.audience || this.config.useJwtAccess) {
+      var audience = options.audience || getAudience(reqOpts);
+      getToken = this._getJwtAccessToken.bind(this, audience);
+    } else {
+      getToken = this.getToken.bind(this);
+    }
+
+    getToken((err, token) => {
       if (err) {
         callback(err);
         return;
       }
 
+      var headers = Object.assign({}, reqOpts.headers);
+
+      // ID tokens are for services other than Google APIs, so they aren't sent
+      // with the quota project or metrics headers.
+      var googleHeaders = options.idTokenAudience ? {} : this._getGoogleApiHeaders();
+
+      // Headers set on the request take precedence.
+      Object.keys(googleHeaders).forEach(name => {
+        if (!hasHeader(headers, name)) {
+          headers[name] = googleHeaders[name];
+        }
+      });
+
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+
       var authorizedReqOpts = Object.assign({}, reqOpts, {
-        headers: Object.assign({}, reqOpts.headers, {
-          Authorization: `Bearer ${token}`
-        })
+        headers: headers
       });
 
+      if (apiKey) {
+        addApiKey(authorizedReqOpts, apiKey, this.config.apiKeyLocation);
+      }
+
       callback(null, authorizedReqOpts);
     });
   }
 
+  // For `axios.interceptors.request.use()`.
+  createAxiosInterceptor (options) {
+    return config => {
+      var uri = config.url;
+
+      if (config.baseURL && !/^([a-z][a-z\d+\-.]*:)?\/\//i.test(uri)) {
+        uri = `${config.baseURL.replace(/\/+$/, '')}/${(uri || '').replace(/^\/+/, '')}`;
+      }
+
+      var reqOpts = {
+        uri: uri,
+        headers: headersToObject(config.headers)
+      };
+
+      return this.authorizeRequest(reqOpts, options || {}).then(authorizedReqOpts => {
+        var headers = authorizedReqOpts.headers;
+
+        // An API key may have been added to the query string.
+        if (authorizedReqOpts.uri !== uri) {
+          config.url = authorizedReqOpts.uri;
+        }
+
+        if (config.headers && typeof config.headers.set === 'function') {
+          Object.keys(headers).forEach(name => {
+            config.headers.set(name, headers[name]);
+          });
+        } else {
+          config.headers = headers;
+        }
+
+        return config;
+      });
+    };
+  }
+
+  // Wraps a `fetch` implementation, or the global one, so every request it
+  // makes is authorized.
+  createFetch (fetchImpl, options) {
+    if (typeof fetchImpl !== 'function') {
+      options = fetchImpl;
+      fetchImpl = null;
+    }
+
+    return (input, init) => {
+      var fetch = fetchImpl || global.fetch;
+
+      if (!fetch) {
+        return Promise.reject(new Error('A fetch implementation is required.'));
+      }
+
+      init = Object.assign({}, init);
+
+      var reqOpts = {
+        uri: typeof input === 'string' ? input : input.href || input.url,
+        headers: Object.assign(headersToObject(input.headers), headersToObject(init.headers))
+      };
+
+      return this.authorizeRequest(reqOpts, options || {}).then(authorizedReqOpts => {
+        init.headers = authorizedReqOpts.headers;
+
+        // An API key may have been added to the query string.
+        if (authorizedReqOpts.uri !== reqOpts.uri) {
+          input = typeof input === 'string' || !input.url ?
+            authorizedReqOpts.uri :
+            new global.Request(authorizedReqOpts.uri, input);
+        }
+
+        return fetch(input, init);
+      });
+    };
+  }
+
+  // For got's `hooks.beforeRequest`.
+  createGotHook (options) {
+    return gotOptions => {
+      var reqOpts = {
+        uri: String(gotOptions.url),
+        headers: gotOptions.headers
+      };
+
+      return this.authorizeRequest(reqOpts, options || {}).then(authorizedReqOpts => {
+        var headers = authorizedReqOpts.headers;
+
+        // An API key may have been added to the query string.
+        if (authorizedReqOpts.uri !== reqOpts.uri) {
+          gotOptions.url = new url.URL(authorizedReqOpts.uri);
+        }
+
+        // got expects lowercase header names.
+        Object.keys(headers).forEach(name => {
+          gotOptions.headers[name.toLowerCase()] = headers[name];
+        });
+      });
+    };
+  }
+
+  // Connect/Express middleware that authenticates incoming requests with a
+  // Google-signed ID token, or an IAP JWT assertion.
+  createMiddleware (options) {
+    options = options || {};
+
+    if (!options.audience) {
+      throw new Error('An audience is required to authenticate requests.');
+    }
+
+    // Only IAP's own assertions are trusted in the IAP header, and vice versa.
+    var issuers = options.issuers || (options.iap ? ID_TOKEN_SIGNERS.ES256 : ID_TOKEN_SIGNERS.RS256).issuers;
+
+    return (req, res, next) => {
+      var token;
+
+      if (options.iap) {
+        token = req.headers['x-goog-iap-jwt-assertion'];
+      } else {
+        var match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        token = match && match[1];
+      }
+
+      if (!token) {
+        sendAuthError(res, 401, 'The request does not have an ID token.', options.iap);
+        return;
+      }
+
+      this.verifyIdToken(token, {
+        audience: options.audience,
+        certsUrl: options.certsUrl,
+        clockSkew: options.clockSkew,
+        issuers: issuers,
+        maxAge: options.maxAge
+      }, (err, claims) => {
+        if (err && err.code === 'INVALID_ID_TOKEN') {
+          sendAuthError(res, 401, err.message, options.iap);
+          return;
+        }
+
+        if (err) {
+          next(err);
+          return;
+        }
+
+        var allowedEmails = options.allowedEmails;
+
+        if (allowedEmails && (allowedEmails.indexOf(claims.email) === -1 || claims.email_verified === false)) {
+          sendAuthError(res, 403, 'The caller is not allowed to make this request.', options.iap);
+          return;
+        }
+
+        req.auth = {
+          email: claims.email,
+          claims: claims
+        };
+
+        next();
+      });
+    };
+  }
+
+  // A client that acts as a user of a Google Workspace domain, through
+  // domain-wide delegation. Like `withScopes`, it shares this one's credentials.
+  forUser (subject) {
+    return this._getDerivedClient(this.config.scopes, subject);
+  }
+
   getAuthClient (callback) {
     if (this.authClient) {
       // This code works around an issue with context loss with async-listener.
@@ -63,6 +576,11 @@ class Auth {
       var config = this.config;
       var keyFile = config.keyFilename || config.keyFile;
 
+      if (this.baseAuth) {
+        this._createDerivedAuthClient(resolve, reject);
+        return;
+      }
+
       this.googleAuthClient = new GoogleAuth();
 
       var addScope = (err, authClient, projectId) => {
@@ -71,25 +589,39 @@ class Auth {
           return;
         }
 
-        if (authClient.createScopedRequired && authClient.createScopedRequired()) {
-          if (!config.scopes || config.scopes.length === 0) {
-            var scopeError = new Error('Scopes are required for this request.');
-            scopeError.code = 'MISSING_SCOPE';
-            reject(scopeError);
-            return;
+        if (config.impersonate) {
+          // The source identity only calls the IAM Credentials API. The
+          // scopes are for the impersonated account's tokens.
+          authClient.scopes = [CLOUD_PLATFORM_SCOPE];
+        } else {
+          if (authClient.createScopedRequired && authClient.createScopedRequired()) {
+            if (!config.scopes || config.scopes.length === 0) {
+              reject(createMissingScopeError());
+              return;
+            }
           }
-        }
 
-        authClient.scopes = config.scopes;
+          authClient.scopes = config.scopes;
+        }
+        authClient.eagerRefreshThresholdMillis = this.refreshWindow;
         this.authClient = authClient;
         this.projectId = config.projectId || projectId || authClient.projectId;
 
+        if (config.projectId) {
+          this.projectIdSource = 'config';
+        } else if (projectId) {
+          this.projectIdSource = this._getProjectIdSource(projectId);
+        } else if (authClient.projectId) {
+          this.projectIdSource = 'credentials';
+        }
+
         if (!this.projectId) {
           this.googleAuthClient.getDefaultProjectId((err, projectId) => {
             // Ignore error, since the user might not require a project ID.
 
             if (projectId) {
               this.projectId = projectId;
+              this.projectIdSource = this._getProjectIdSource(projectId);
             }
 
             resolve(authClient);
@@ -101,14 +633,21 @@ class Auth {
       };
 
       if (config.credentials) {
+        this.credentialSource = { type: 'credentials', filePath: null };
+
         try {
-          var client = this.googleAuthClient.fromJSON(config.credentials);
+          var client = this._fromJSON(config.credentials);
           addScope(null, client);
         } catch (e) {
           addScope(e);
         }
       } else if (keyFile) {
         keyFile = path.resolve(process.cwd(), keyFile);
+        this.credentialSource = { type: 'keyFilename', filePath: keyFile };
+
+        if (config.watchKeyFile && !this.keyFileWatcher) {
+          this._watchKeyFile(keyFile);
+        }
 
         fs.readFile(keyFile, (err, contents) => {
           if (err) {
@@ -117,17 +656,23 @@ class Auth {
           }
 
           try {
-            var client = this.googleAuthClient.fromJSON(JSON.parse(contents));
+            var client = this._fromJSON(JSON.parse(contents));
             addScope(null, client);
           } catch(e) {
             // @TODO Find a better way to do this.
             // Ref: https://github.com/googleapis/nodejs-storage/issues/147
             // Ref: https://github.com/google/google-auth-library-nodejs/issues/313
-            var client = this.googleAuthClient.fromJSON({
-              type: 'jwt-pem-p12',
-              client_email: config.email,
-              private_key: keyFile
-            });
+            try {
+              var client = this.googleAuthClient.fromJSON({
+                type: 'jwt-pem-p12',
+                client_email: config.email,
+                private_key: keyFile
+              });
+            } catch (e) {
+              reject(e);
+              return;
+            }
+
             delete client.key;
             client.keyFile = keyFile;
             this.jwtClient = client;
@@ -135,7 +680,22 @@ class Auth {
           }
         });
       } else {
-        this.googleAuthClient.getApplicationDefault(addScope);
+        this.googleAuthClient.getApplicationDefault((err, authClient, projectId) => {
+          var jsonContent = this.googleAuthClient.jsonContent;
+
+          // google-auth-library finds external account credentials, but fails
+          // to create a client for them.
+          if (err && jsonContent && jsonContent.type === 'external_account') {
+            err = null;
+            authClient = new ExternalAccountClient(jsonContent);
+          }
+
+          if (!err) {
+            this.credentialSource = getApplicationDefaultSource(this.googleAuthClient);
+          }
+
+          addScope(err, authClient, projectId);
+        });
       }
     };
 
@@ -152,6 +712,43 @@ class Auth {
     }).catch(callback);
   }
 
+  // Describes where the credentials in use were found, and what they are.
+  getCredentialSource (callback) {
+    this.getAuthClient((err, authClient) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var credentialSource = this.credentialSource || {};
+      var jsonContent = this.googleAuthClient && this.googleAuthClient.jsonContent;
+      var impersonate = this.config.impersonate;
+
+      var source = {
+        source: credentialSource.type || null,
+        filePath: credentialSource.filePath || null,
+        credentialType: getCredentialType(jsonContent),
+        clientEmail: authClient.email || (jsonContent && jsonContent.client_email) || null,
+        impersonatedAccount: impersonate ? impersonate.targetPrincipal : null,
+        projectId: this.projectId || null,
+        projectIdSource: this.projectId ? this.projectIdSource : null
+      };
+
+      if (source.clientEmail || source.credentialType !== 'compute') {
+        callback(null, source);
+        return;
+      }
+
+      this._getInstanceMetadata('service-accounts/default/email').then(resp => {
+        source.clientEmail = resp.data;
+        callback(null, source);
+      }, () => {
+        // Ignore error, the email is only informational.
+        callback(null, source);
+      });
+    });
+  }
+
   getCredentials (callback) {
     if (this.credentials) {
       setImmediate(() => {
@@ -166,6 +763,20 @@ class Auth {
         return;
       }
 
+      if (this.baseAuth) {
+        this.baseAuth.getCredentials((err, credentials) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          this.credentials = credentials;
+
+          callback(null, credentials);
+        });
+        return;
+      }
+
       this.googleAuthClient.getCredentials((err, credentials) => {
         if (err) {
           callback(err);
@@ -197,14 +808,131 @@ class Auth {
     async.parallel([
       cb => this.isAppEngine(cb),
       cb => this.isCloudFunction(cb),
+      cb => this.isCloudRun(cb),
+      cb => this.isCloudShell(cb),
       cb => this.isComputeEngine(cb),
       cb => this.isContainerEngine(cb)
     ], () => {
+      this.environment.platform = getPlatform(this.environment);
       callback(null, this.environment);
     });
   }
 
-  getProjectId (callback) {
+  getIdToken (audience, callback) {
+    if (!audience) {
+      setImmediate(callback, new Error('An audience is required to get an ID token.'));
+      return;
+    }
+
+    var cachedIdToken = this.idTokens[audience];
+
+    if (cachedIdToken && cachedIdToken.expiresAt - this.refreshWindow > Date.now()) {
+      setImmediate(callback, null, cachedIdToken.token);
+      return;
+    }
+
+    var onIdToken = (err, idToken) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      this.idTokens[audience] = {
+        token: idToken,
+        expiresAt: (decodeJwtClaims(idToken).exp || 0) * 1000
+      };
+
+      callback(null, idToken);
+    };
+
+    if (this.config.impersonate) {
+      this._getIdTokenWithApi(audience, onIdToken);
+      return;
+    }
+
+    this.getCredentials((err, credentials) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (credentials.private_key) {
+        this._getIdTokenWithPrivateKey(audience, onIdToken);
+        return;
+      }
+
+      this.isComputeEngine((err, isComputeEngine) => {
+        if (isComputeEngine) {
+          this._getIdTokenFromMetadata(audience, onIdToken);
+        } else {
+          this._getIdTokenWithApi(audience, onIdToken);
+        }
+      });
+    });
+  }
+
+  // Facts about the instance the app is running on, from the metadata server.
+  getInstanceInfo (callback) {
+    if (this.instanceInfo) {
+      setImmediate(() => {
+        callback(null, this.instanceInfo);
+      });
+      return;
+    }
+
+    if (this.baseAuth) {
+      this.baseAuth.getInstanceInfo(callback);
+      return;
+    }
+
+    var getMetadata = (property, callback) => {
+      this._getInstanceMetadata({
+        property: property,
+        // Values are plain text. Instance IDs are too large to parse as numbers.
+        transformResponse: [data => data]
+      }).then(res => callback(null, res.data), callback);
+    };
+
+    var getClusterAttribute = (name, callback) => {
+      getMetadata(`attributes/${name}`, (err, value) => {
+        // Only GKE nodes have these.
+        callback(null, err ? null : value);
+      });
+    };
+
+    async.parallel({
+      clusterLocation: cb => getClusterAttribute('cluster-location', cb),
+      clusterName: cb => getClusterAttribute('cluster-name', cb),
+      id: cb => getMetadata('id', cb),
+      scopes: cb => getMetadata('service-accounts/default/scopes', cb),
+      serviceAccountEmail: cb => getMetadata('service-accounts/default/email', cb),
+      zone: cb => getMetadata('zone', cb)
+    }, (err, results) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      // e.g. "projects/123456789012/zones/us-central1-a"
+      var zoneParts = results.zone.split('/');
+      var zone = zoneParts[3];
+
+      this.instanceInfo = {
+        clusterLocation: results.clusterLocation,
+        clusterName: results.clusterName,
+        instanceId: results.id,
+        projectNumber: zoneParts[1],
+        region: zone.replace(/-[^-]+$/, ''),
+        scopes: results.scopes.split('\n').filter(scope => scope),
+        serviceAccountEmail: results.serviceAccountEmail,
+        zone: zone
+      };
+
+      callback(null, this.instanceInfo);
+    });
+  }
+
+  getProjectId (callback) {
     if (this.projectId) {
       setImmediate(() => {
         callback(null, this.projectId);
@@ -222,19 +950,248 @@ class Auth {
     });
   }
 
-  getToken (callback) {
-    if (this.token) {
-      setImmediate(callback, null, this.token);
+  // Create a Cloud Storage V4 POST policy, so browsers can upload straight to a
+  // bucket with an HTML form.
+  // Ref: https://cloud.google.com/storage/docs/authentication/signatures#policy-document
+  getSignedPolicy (options, callback) {
+    var now = Date.now();
+    var expiresIn = getGoog4Lifetime(options.expires, now);
+
+    if (expiresIn instanceof Error) {
+      setImmediate(callback, expiresIn);
       return;
     }
 
-    this.getAuthClient((err, client) => {
+    this._getSigningServiceAccount((err, serviceAccount) => {
       if (err) {
         callback(err);
         return;
       }
 
-      client.getAccessToken(callback);
+      var timestamp = formatGoog4Date(now);
+
+      var fields = Object.assign({}, options.fields, {
+        bucket: options.bucket,
+        key: options.key,
+        'x-goog-date': timestamp,
+        'x-goog-credential': `${serviceAccount}/${getGoog4CredentialScope(timestamp)}`,
+        'x-goog-algorithm': GOOG4_ALGORITHM
+      });
+
+      var conditions = (options.conditions || []).slice();
+
+      Object.keys(fields).forEach(name => {
+        // Cloud Storage doesn't check these against the policy.
+        if (name.indexOf('x-ignore-') !== 0) {
+          conditions.push({ [name]: fields[name] });
+        }
+      });
+
+      // The bucket is in the URL, not the form.
+      delete fields.bucket;
+
+      var policy = {
+        conditions: conditions,
+        expiration: new Date(options.expires).toISOString().replace(/\.\d{3}/, '')
+      };
+
+      // Cloud Storage expects non-ASCII characters in the policy to be escaped.
+      var policyJson = JSON.stringify(policy).replace(/[\u0080-\uffff]/g, character => {
+        var code = character.charCodeAt(0).toString(16);
+        return `\\u${'0000'.slice(code.length)}${code}`;
+      });
+
+      fields.policy = Buffer.from(policyJson).toString('base64');
+
+      this.sign(fields.policy, (err, signature) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        fields['x-goog-signature'] = Buffer.from(signature, 'base64').toString('hex');
+
+        callback(null, {
+          url: `${STORAGE_URL}/${options.bucket}/`,
+          fields: fields
+        });
+      });
+    });
+  }
+
+  // Create a Cloud Storage V4 signed URL.
+  // Ref: https://cloud.google.com/storage/docs/access-control/signing-urls-manually
+  getSignedUrl (options, callback) {
+    var now = Date.now();
+    var expiresIn = getGoog4Lifetime(options.expires, now);
+
+    if (expiresIn instanceof Error) {
+      setImmediate(callback, expiresIn);
+      return;
+    }
+
+    this._getSigningServiceAccount((err, serviceAccount) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var timestamp = formatGoog4Date(now);
+      var credentialScope = getGoog4CredentialScope(timestamp);
+
+      var headers = {
+        host: url.parse(STORAGE_URL).host
+      };
+
+      if (options.contentType) {
+        headers['content-type'] = options.contentType;
+      }
+
+      Object.keys(options.headers || {}).forEach(name => {
+        headers[name.toLowerCase()] = String(options.headers[name]).trim().replace(/\s+/g, ' ');
+      });
+
+      var headerNames = Object.keys(headers).sort();
+      var signedHeaders = headerNames.join(';');
+
+      var query = Object.assign({}, options.queryParams, {
+        'X-Goog-Algorithm': GOOG4_ALGORITHM,
+        'X-Goog-Credential': `${serviceAccount}/${credentialScope}`,
+        'X-Goog-Date': timestamp,
+        'X-Goog-Expires': expiresIn,
+        'X-Goog-SignedHeaders': signedHeaders
+      });
+
+      var canonicalQuery = Object.keys(query)
+        .map(name => [encodeRfc3986(name), encodeRfc3986(String(query[name]))])
+        .sort((a, b) => a[0] < b[0] ? -1 : 1)
+        .map(param => param.join('='))
+        .join('&');
+
+      var resourcePath = `/${encodeRfc3986(options.bucket)}`;
+
+      if (options.object) {
+        resourcePath += `/${options.object.split('/').map(encodeRfc3986).join('/')}`;
+      }
+
+      var canonicalRequest = [
+        (options.method || 'GET').toUpperCase(),
+        resourcePath,
+        canonicalQuery,
+        headerNames.map(name => `${name}:${headers[name]}\n`).join(''),
+        signedHeaders,
+        'UNSIGNED-PAYLOAD'
+      ].join('\n');
+
+      var stringToSign = [
+        GOOG4_ALGORITHM,
+        timestamp,
+        credentialScope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+      ].join('\n');
+
+      this.sign(stringToSign, (err, signature) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        signature = Buffer.from(signature, 'base64').toString('hex');
+
+        callback(null, `${STORAGE_URL}${resourcePath}?${canonicalQuery}&X-Goog-Signature=${signature}`);
+      });
+    });
+  }
+
+  getToken (options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    if (options.scopes) {
+      this.withScopes(options.scopes).getToken(callback);
+      return;
+    }
+
+    var tokenCache = this.config.tokenCache;
+
+    var onToken = (err, token, expiresAt) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      this._scheduleRefresh(expiresAt);
+
+      callback(null, token);
+    };
+
+    if (!tokenCache || ((this.token || this.tokenProvider) && !this.config.impersonate)) {
+      this._getUncachedToken((err, token) => {
+        onToken(err, token, this._getUncachedTokenExpiration());
+      });
+      return;
+    }
+
+    this._getTokenCacheKey((err, key) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      tokenCache.get(key, (err, entry) => {
+        // A token cache that can't be read from is treated as empty.
+        if (!err && entry && entry.expiresAt - this.refreshWindow > Date.now()) {
+          onToken(null, entry.token, entry.expiresAt);
+          return;
+        }
+
+        this._getUncachedToken((err, token) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          var expiresAt = this._getUncachedTokenExpiration();
+
+          this._cacheToken(key, token, expiresAt, () => {
+            onToken(null, token, expiresAt);
+          });
+        });
+      });
+    });
+  }
+
+  // Forget any tokens obtained so far, so the next request for one gets a new
+  // token.
+  invalidateToken (callback) {
+    var tokenCache = this.config.tokenCache;
+
+    this.delegatedToken = null;
+    this.idTokens = {};
+    this.impersonatedToken = null;
+    this.jwtAccessTokens = {};
+    this.providedToken = null;
+    this.sourceTokenInvalidated = true;
+
+    if (!tokenCache) {
+      setImmediate(callback, null);
+      return;
+    }
+
+    this._getTokenCacheKey((err, key) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      tokenCache.delete(key, () => {
+        // Errors from the token cache are ignored, as when reading from it.
+        callback(null);
+      });
     });
   }
 
@@ -244,6 +1201,8 @@ class Auth {
 
       if (typeof env.IS_APP_ENGINE === 'undefined') {
         env.IS_APP_ENGINE = !!(process.env.GAE_SERVICE || process.env.GAE_MODULE_NAME);
+        // Only the standard environment sets `GAE_ENV`.
+        env.IS_APP_ENGINE_FLEXIBLE = env.IS_APP_ENGINE && process.env.GAE_ENV !== 'standard';
       }
 
       callback(null, env.IS_APP_ENGINE);
@@ -255,13 +1214,42 @@ class Auth {
       var env = this.environment;
 
       if (typeof env.IS_CLOUD_FUNCTION === 'undefined') {
-        env.IS_CLOUD_FUNCTION = !!process.env.FUNCTION_NAME;
+        // Newer runtimes, including 2nd gen functions, only set `FUNCTION_TARGET`.
+        env.IS_CLOUD_FUNCTION = !!(process.env.FUNCTION_NAME || process.env.FUNCTION_TARGET);
       }
 
       callback(null, env.IS_CLOUD_FUNCTION);
     });
   }
 
+  isCloudRun (callback) {
+    setImmediate(() => {
+      var env = this.environment;
+
+      if (typeof env.IS_CLOUD_RUN === 'undefined') {
+        // 2nd gen functions run on Cloud Run, so they also set `K_SERVICE`.
+        var isService = !!process.env.K_SERVICE && !process.env.FUNCTION_TARGET;
+
+        env.IS_CLOUD_RUN_JOB = !!process.env.CLOUD_RUN_JOB;
+        env.IS_CLOUD_RUN = isService || env.IS_CLOUD_RUN_JOB;
+      }
+
+      callback(null, env.IS_CLOUD_RUN);
+    });
+  }
+
+  isCloudShell (callback) {
+    setImmediate(() => {
+      var env = this.environment;
+
+      if (typeof env.IS_CLOUD_SHELL === 'undefined') {
+        env.IS_CLOUD_SHELL = process.env.CLOUD_SHELL === 'true' || !!process.env.DEVSHELL_CLIENT_PORT;
+      }
+
+      callback(null, env.IS_CLOUD_SHELL);
+    });
+  }
+
   isComputeEngine (callback) {
     var env = this.environment;
 
@@ -272,8 +1260,8 @@ class Auth {
       return;
     }
 
-    request('http://metadata.google.internal', (err, res) => {
-      env.IS_COMPUTE_ENGINE = !err && res.headers['metadata-flavor'] === 'Google';
+    this._probeMetadataServer(isAvailable => {
+      env.IS_COMPUTE_ENGINE = isAvailable;
 
       callback(null, env.IS_COMPUTE_ENGINE);
     });
@@ -289,7 +1277,17 @@ class Auth {
       return;
     }
 
-    gcpMetadata.instance('/attributes/cluster-name')
+    // Every Kubernetes pod has this set. The metadata server tells GKE apart
+    // from other Kubernetes clusters.
+    if (!process.env.KUBERNETES_SERVICE_HOST) {
+      setImmediate(() => {
+        env.IS_CONTAINER_ENGINE = false;
+        callback(null, env.IS_CONTAINER_ENGINE);
+      });
+      return;
+    }
+
+    this._getInstanceMetadata('attributes/cluster-name')
       .then(() => {
         env.IS_CONTAINER_ENGINE = true;
         callback(null, env.IS_CONTAINER_ENGINE);
@@ -300,7 +1298,56 @@ class Auth {
       });
   }
 
+  // Make an authorized request, retrying once with a new token if the current
+  // one is rejected.
+  request (reqOpts, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    // The token to invalidate after a 401 response is the scoped client's.
+    if (options.scopes) {
+      this.withScopes(options.scopes).request(reqOpts, withoutScopes(options), callback);
+      return;
+    }
+
+    var makeAuthorizedRequest = retriesLeft => {
+      this.authorizeRequest(reqOpts, options, (err, authorizedReqOpts) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        request(authorizedReqOpts, (err, resp, body) => {
+          if (!err && resp.statusCode === 401 && retriesLeft > 0) {
+            this.invalidateToken(err => {
+              if (err) {
+                callback(err);
+                return;
+              }
+
+              makeAuthorizedRequest(retriesLeft - 1);
+            });
+            return;
+          }
+
+          callback(err, resp, body);
+        });
+      });
+    };
+
+    makeAuthorizedRequest(1);
+  }
+
   sign (data, callback) {
+    if (this.config.impersonate) {
+      this._signWithImpersonation(data, callback);
+      return;
+    }
+
     this.getCredentials((err, credentials) => {
       if (err) {
         callback(err);
@@ -315,63 +1362,1851 @@ class Auth {
     });
   }
 
-  // `this.getCredentials()` will always have been run by this time
-  _signWithApi (data, callback) {
-    if (!this.projectId) {
-      callback(new Error('Cannot sign data without a project ID.'));
-      return;
+  // Sign a JWT as the service account, e.g. for Firebase custom tokens.
+  signJwt (payload, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
     }
 
-    var client_email = this.credentials.client_email;
+    options = options || {};
 
-    if (!client_email) {
-      callback(new Error('Cannot sign data without `client_email`.'));
-      return;
-    }
+    var now = Math.floor(Date.now() / 1000);
+    var lifetime = typeof options.expiresIn === 'number' ? options.expiresIn : DEFAULT_JWT_LIFETIME;
 
-    var idString = `projects/${this.projectId}/serviceAccounts/${client_email}`;
+    var claims = Object.assign({
+      iat: now,
+      exp: now + lifetime
+    }, payload);
 
-    var reqOpts = {
-      method: 'POST',
-      uri: `https://iam.googleapis.com/v1/${idString}:signBlob`,
-      json: {
-        bytesToSign: Buffer.from(data).toString('base64')
-      }
-    };
+    if (this.config.impersonate) {
+      this._signJwtWithImpersonation(claims, callback);
+      return;
+    }
 
-    this.authorizeRequest(reqOpts, (err, authorizedReqOpts) => {
+    this.getCredentials((err, credentials) => {
       if (err) {
         callback(err);
         return;
       }
 
-      request(authorizedReqOpts, function (err, resp, body) {
-        var response = resp.toJSON();
+      if (credentials.private_key) {
+        this._signJwtWithPrivateKey(claims, callback);
+      } else {
+        this._signJwtWithApi(claims, callback);
+      }
+    });
+  }
+
+  stop () {
+    clearTimeout(this.refreshTimer);
+    this.refreshScheduledFor = null;
+    this.refreshTimer = null;
 
-        if (!err && response.statusCode < 200 || response.statusCode >= 400) {
-          if (typeof response.body === 'object') {
-            var apiError = response.body.error;
-            err = new Error(apiError.message);
-            Object.assign(err, apiError);
-          } else {
-            err = new Error(response.body);
-            err.code = response.statusCode;
-          }
-        }
+    clearTimeout(this.keyFileReloadTimer);
+    this.keyFileReloadTimer = null;
 
-        callback(err, body && body.signature);
-      });
+    if (this.keyFileWatcher) {
+      this.keyFileWatcher.close();
+      this.keyFileWatcher = null;
+    }
+
+    Object.keys(this.derivedClients).forEach(key => {
+      this.derivedClients[key].stop();
     });
   }
 
-  // `this.getCredentials()` will always have been run by this time
-  _signWithPrivateKey (data, callback) {
-    var sign = crypto.createSign('RSA-SHA256');
-    sign.update(data);
-    callback(null, sign.sign(this.credentials.private_key, 'base64'));
-  }
-}
+  // Verify a signature made with `sign`. The local private key is used if it
+  // has the requested key ID. Otherwise, the service account's public
+  // certificates are.
+  verify (data, signature, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    if (options.serviceAccount || this.config.impersonate) {
+      this._verifyWithPublicCerts(data, signature, options, callback);
+      return;
+    }
+
+    this.getCredentials((err, credentials) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var privateKeyId = (this.googleAuthClient.jsonContent || {}).private_key_id;
+
+      if (credentials.private_key && (!options.keyId || options.keyId === privateKeyId)) {
+        callback(null, verifySignature(data, signature, credentials.private_key));
+      } else {
+        this._verifyWithPublicCerts(data, signature, options, callback);
+      }
+    });
+  }
+
+  // Verify an ID token signed by Google, or an IAP JWT assertion, and return
+  // its claims.
+  verifyIdToken (token, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    options = options || {};
+
+    // Google signs ID tokens for anyone who asks, so one for another audience
+    // proves nothing.
+    if (!options.audience) {
+      setImmediate(callback, new Error('An audience is required to verify an ID token.'));
+      return;
+    }
+
+    var segments = typeof token === 'string' ? token.split('.') : [];
+    var header;
+    var claims;
+
+    try {
+      header = JSON.parse(Buffer.from(segments[0], 'base64').toString());
+      claims = JSON.parse(Buffer.from(segments[1], 'base64').toString());
+    } catch (e) {}
+
+    if (segments.length !== 3 || !header || !claims) {
+      setImmediate(callback, createIdTokenError('The ID token is not a valid JWT.'));
+      return;
+    }
+
+    var signer = Object.prototype.hasOwnProperty.call(ID_TOKEN_SIGNERS, header.alg) ?
+      ID_TOKEN_SIGNERS[header.alg] :
+      null;
+
+    if (!signer) {
+      setImmediate(callback, createIdTokenError(`The ID token algorithm \`${header.alg}\` is not supported.`));
+      return;
+    }
+
+    this._getPublicCerts(options.certsUrl || signer.certsUrl, (err, certs) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var key;
+
+      try {
+        key = getPublicKey(certs, header.kid);
+      } catch (e) {
+        // The certificates are at fault, not the ID token.
+        callback(e);
+        return;
+      }
+
+      if (!key || key.asymmetricKeyType !== signer.keyType) {
+        callback(createIdTokenError(`No public key was found for the ID token key \`${header.kid}\`.`));
+        return;
+      }
+
+      var isValid = crypto.verify(
+        'sha256',
+        Buffer.from(`${segments[0]}.${segments[1]}`),
+        {
+          key: key,
+          // JWTs have raw ECDSA signatures, not DER-encoded ones.
+          dsaEncoding: 'ieee-p1363'
+        },
+        Buffer.from(segments[2], 'base64')
+      );
+
+      if (!isValid) {
+        callback(createIdTokenError('The ID token signature is invalid.'));
+        return;
+      }
+
+      var claimsError = getIdTokenClaimsError(claims, options.issuers || signer.issuers, options);
+
+      if (claimsError) {
+        callback(claimsError);
+        return;
+      }
+
+      callback(null, claims);
+    });
+  }
+
+  // A client for other scopes. It shares this one's credentials, project ID,
+  // and environment, but has its own tokens.
+  withScopes (scopes) {
+    return this._getDerivedClient(scopes, this.config.subject);
+  }
+
+  _cacheToken (key, token, expiresAt, callback) {
+    if (!expiresAt) {
+      setImmediate(callback);
+      return;
+    }
+
+    var entry = {
+      token: token,
+      expiresAt: expiresAt
+    };
+
+    this.config.tokenCache.set(key, entry, () => {
+      // Failing to cache the token doesn't stop it from being used.
+      callback();
+    });
+  }
+
+  _createDerivedAuthClient (resolve, reject) {
+    var baseAuth = this.baseAuth;
+
+    baseAuth.getAuthClient((err, authClient) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      this.credentialSource = baseAuth.credentialSource;
+      this.googleAuthClient = baseAuth.googleAuthClient;
+      this.jwtClient = baseAuth.jwtClient;
+      this.projectId = baseAuth.projectId;
+      this.projectIdSource = baseAuth.projectIdSource;
+
+      // Impersonated tokens have their own scopes, whatever the scopes of the
+      // token used to request them. Other clients' tokens don't have scopes.
+      if (this.config.impersonate || !authClient.createScoped) {
+        this.authClient = authClient;
+        resolve(authClient);
+        return;
+      }
+
+      var derivedAuthClient = authClient.createScoped(this.config.scopes);
+
+      if (derivedAuthClient.createScopedRequired && derivedAuthClient.createScopedRequired()) {
+        reject(createMissingScopeError());
+        return;
+      }
+
+      derivedAuthClient.eagerRefreshThresholdMillis = this.refreshWindow;
+      this.authClient = derivedAuthClient;
+
+      resolve(derivedAuthClient);
+    });
+  }
+
+  // google-auth-library doesn't support external account credentials, used for
+  // workload identity federation.
+  _fromJSON (json) {
+    if (json.type !== 'external_account') {
+      return this.googleAuthClient.fromJSON(json);
+    }
+
+    this.googleAuthClient.jsonContent = json;
+
+    return new ExternalAccountClient(json);
+  }
+
+  // `GOOGLE_API_KEY` is only used if asked for, as other libraries read it
+  // too, and an API key replaces the access token.
+  _getApiKey () {
+    if (this.config.apiKey === true) {
+      return process.env.GOOGLE_API_KEY || null;
+    }
+
+    return this.config.apiKey || null;
+  }
+
+  _getDelegatedToken (callback) {
+    var cachedToken = this.delegatedToken;
+
+    if (cachedToken && cachedToken.expiresAt - this.refreshWindow > Date.now()) {
+      setImmediate(callback, null, cachedToken.token);
+      return;
+    }
+
+    this._requestDelegatedToken(callback);
+  }
+
+  // Clients are derived from the base client, and cached by their scopes and
+  // subject.
+  _getDerivedClient (scopes, subject) {
+    var baseAuth = this.baseAuth || this;
+    var baseConfig = baseAuth.config;
+    var key = createTokenCacheKey('', scopes, subject);
+
+    if (key === createTokenCacheKey('', baseConfig.scopes, baseConfig.subject)) {
+      return baseAuth;
+    }
+
+    if (!baseAuth.derivedClients[key]) {
+      var config = Object.assign({}, baseConfig, {
+        scopes: scopes,
+        subject: subject
+      });
+
+      if (config.impersonate) {
+        config.impersonate = Object.assign({}, config.impersonate, { scopes: scopes });
+      }
+
+      var auth = new Auth(config);
+      auth.baseAuth = baseAuth;
+      auth.environment = baseAuth.environment;
+      auth.idTokens = baseAuth.idTokens;
+      auth.publicCerts = baseAuth.publicCerts;
+
+      baseAuth.derivedClients[key] = auth;
+    }
+
+    return baseAuth.derivedClients[key];
+  }
+
+  // The quota project and metrics headers to send to Google APIs.
+  _getGoogleApiHeaders () {
+    var headers = {};
+    var quotaProjectId = this._getQuotaProjectId();
+
+    if (quotaProjectId) {
+      headers['x-goog-user-project'] = quotaProjectId;
+    }
+
+    if (this.config.apiClient) {
+      headers['x-goog-api-client'] =
+        `gl-node/${process.versions.node} ${this.config.apiClient}`;
+    }
+
+    return headers;
+  }
+
+  _getIdTokenFromMetadata (audience, callback) {
+    this._getInstanceMetadata({
+      property: 'service-accounts/default/identity',
+      params: {
+        audience: audience,
+        format: 'full'
+      }
+    }).then(res => callback(null, res.data), callback);
+  }
+
+  // Unless impersonating, `this.getCredentials()` will always have been run by
+  // this time
+  _getIdTokenWithApi (audience, callback) {
+    var impersonate = this.config.impersonate;
+    var serviceAccount;
+
+    var json = {
+      audience: audience,
+      includeEmail: true
+    };
+
+    if (impersonate) {
+      serviceAccount = impersonate.targetPrincipal;
+      json.delegates = formatDelegates(impersonate.delegates);
+    } else {
+      serviceAccount = this.credentials.client_email;
+    }
+
+    if (!serviceAccount) {
+      callback(new Error('Cannot get an ID token without `client_email`.'));
+      return;
+    }
+
+    this._requestIamCredentials(serviceAccount, 'generateIdToken', json, (err, body) => {
+      callback(err, body && body.token);
+    });
+  }
+
+  // `this.getCredentials()` will always have been run by this time
+  _getIdTokenWithPrivateKey (audience, callback) {
+    var now = Math.floor(Date.now() / 1000);
+
+    var claims = {
+      iss: this.credentials.client_email,
+      aud: GOOGLE_TOKEN_URL,
+      target_audience: audience,
+      iat: now,
+      exp: now + 3600
+    };
+
+    this._signJwtWithPrivateKey(claims, (err, assertion) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      makeRequest({
+        method: 'POST',
+        uri: GOOGLE_TOKEN_URL,
+        form: {
+          grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+          assertion: assertion
+        },
+        json: true
+      }, (err, body) => {
+        callback(err, body && body.id_token);
+      });
+    });
+  }
+
+  _getImpersonatedToken (callback) {
+    var cachedToken = this.impersonatedToken;
+
+    if (cachedToken && cachedToken.expiresAt - this.refreshWindow > Date.now()) {
+      setImmediate(callback, null, cachedToken.token);
+      return;
+    }
+
+    this._requestImpersonatedToken(callback);
+  }
+
+  // `gcpMetadata.instance()`, but using the configured metadata server, timeout
+  // and retries.
+  _getInstanceMetadata (options) {
+    if (typeof options === 'string') {
+      options = { property: options };
+    }
+
+    return gcpMetadata.instance(Object.assign({}, options, {
+      url: `http://${this.metadataHost}/computeMetadata/v1/instance/${options.property}`,
+      timeout: this.metadataTimeout,
+      raxConfig: {
+        noResponseRetries: this.metadataRetries
+      }
+    }));
+  }
+
+  // Self-signed JWTs are accepted by Google APIs in place of an access token,
+  // which saves a round trip to the token endpoint. Without a private key to
+  // sign with, this falls back to a regular access token.
+  _getJwtAccessToken (audience, callback) {
+    var cacheKey = audience || '';
+    var cachedToken = this.jwtAccessTokens[cacheKey];
+
+    if (cachedToken && cachedToken.expiresAt - this.refreshWindow > Date.now()) {
+      setImmediate(callback, null, cachedToken.token);
+      return;
+    }
+
+    // Self-signed JWTs can't act as another user.
+    if (this.config.impersonate || this.config.subject) {
+      this.getToken(callback);
+      return;
+    }
+
+    this.getCredentials((err, credentials) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (!credentials.private_key) {
+        this.getToken(callback);
+        return;
+      }
+
+      var now = Math.floor(Date.now() / 1000);
+
+      var claims = {
+        iss: credentials.client_email,
+        sub: credentials.client_email,
+        iat: now,
+        exp: now + 3600
+      };
+
+      if (audience) {
+        claims.aud = audience;
+      } else {
+        claims.scope = (this.config.scopes || [CLOUD_PLATFORM_SCOPE]).join(' ');
+      }
+
+      this._signJwtWithPrivateKey(claims, (err, token) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        this.jwtAccessTokens[cacheKey] = {
+          token: token,
+          expiresAt: claims.exp * 1000
+        };
+
+        callback(null, token);
+      });
+    });
+  }
+
+  // `this.getAuthClient()` will always have been run by this time.
+  _getProjectIdSource (projectId) {
+    var jsonContent = this.googleAuthClient.jsonContent;
+
+    if (projectId === (process.env.GCLOUD_PROJECT || process.env.GOOGLE_CLOUD_PROJECT)) {
+      return 'environment';
+    }
+
+    if (jsonContent && jsonContent.project_id === projectId) {
+      return 'credentials';
+    }
+
+    if (this.credentialSource && this.credentialSource.type === 'metadata') {
+      return 'metadata';
+    }
+
+    return 'gcloud';
+  }
+
+  _getProvidedToken (callback) {
+    var cachedToken = this.providedToken;
+
+    // Tokens without an expiration aren't cached, so the provider decides when
+    // to replace them.
+    if (cachedToken && cachedToken.expiresAt && cachedToken.expiresAt - this.refreshWindow > Date.now()) {
+      setImmediate(callback, null, cachedToken.token);
+      return;
+    }
+
+    this._requestProvidedToken(callback);
+  }
+
+  // Certificates are cached for as long as the response's cache headers allow.
+  _getPublicCerts (uri, callback) {
+    var cached = this.publicCerts[uri];
+
+    if (cached && cached.expiresAt > Date.now()) {
+      setImmediate(callback, null, cached.certs);
+      return;
+    }
+
+    makeRequest({
+      uri: uri,
+      json: true
+    }, (err, certs, resp) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var expiresAt = getCacheExpiration(resp.headers);
+
+      if (expiresAt > Date.now()) {
+        this.publicCerts[uri] = {
+          certs: certs,
+          expiresAt: expiresAt
+        };
+      } else {
+        delete this.publicCerts[uri];
+      }
+
+      callback(null, certs);
+    });
+  }
+
+  // The project billed for requests, if it isn't the project of the
+  // credentials. Credentials are only read once `getAuthClient` has run.
+  _getQuotaProjectId () {
+    var jsonContent = this.googleAuthClient && this.googleAuthClient.jsonContent;
+
+    return this.config.quotaProjectId ||
+      process.env.GOOGLE_CLOUD_QUOTA_PROJECT ||
+      (jsonContent && jsonContent.quota_project_id) ||
+      null;
+  }
+
+  // The service account `sign` signs as.
+  _getSigningServiceAccount (callback) {
+    if (this.config.impersonate) {
+      setImmediate(callback, null, this.config.impersonate.targetPrincipal);
+      return;
+    }
+
+    this.getCredentials((err, credentials) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (!credentials.client_email) {
+        callback(new Error('Cannot sign data without `client_email`.'));
+        return;
+      }
+
+      callback(null, credentials.client_email);
+    });
+  }
+
+  // Get a token for the identity resolved by `getAuthClient`, ignoring
+  // `config.impersonate`.
+  _getSourceToken (callback) {
+    if (this.token) {
+      setImmediate(callback, null, this.token);
+      return;
+    }
+
+    if (this.sourceTokenInvalidated) {
+      this._refreshSourceToken(callback);
+      return;
+    }
+
+    if (this.tokenProvider) {
+      this._getProvidedToken(callback);
+      return;
+    }
+
+    this.getAuthClient((err, client) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      client.getAccessToken(callback);
+    });
+  }
+
+  _getTokenCacheKey (callback) {
+    var config = this.config;
+    var impersonate = config.impersonate;
+
+    if (impersonate) {
+      var scopes = impersonate.scopes || config.scopes || [CLOUD_PLATFORM_SCOPE];
+      setImmediate(callback, null, createTokenCacheKey(impersonate.targetPrincipal, scopes, config.subject));
+      return;
+    }
+
+    this.getAuthClient((err, authClient) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, createTokenCacheKey(getClientIdentity(authClient), config.scopes, config.subject));
+    });
+  }
+
+  // Bypasses `config.tokenCache`.
+  _getUncachedToken (callback) {
+    if (this.config.subject) {
+      this._getDelegatedToken(callback);
+      return;
+    }
+
+    if (this.config.impersonate) {
+      this._getImpersonatedToken(callback);
+      return;
+    }
+
+    this._getSourceToken(callback);
+  }
+
+  // When the token last returned from `_getUncachedToken` expires, if known.
+  _getUncachedTokenExpiration () {
+    if (this.config.subject) {
+      return this.delegatedToken && this.delegatedToken.expiresAt;
+    }
+
+    if (this.config.impersonate) {
+      return this.impersonatedToken && this.impersonatedToken.expiresAt;
+    }
+
+    if (this.tokenProvider) {
+      return this.providedToken && this.providedToken.expiresAt;
+    }
+
+    var credentials = this.authClient && this.authClient.credentials;
+    return credentials && credentials.expiry_date;
+  }
+
+  // Unless a metadata server was configured, its well-known IP address is tried
+  // alongside the host name, in case DNS is slow. The first to answer wins.
+  _probeMetadataServer (callback) {
+    var hosts = [this.metadataHost];
+
+    if (this.metadataHost === METADATA_HOST) {
+      hosts.push(METADATA_IP);
+    }
+
+    var pending = hosts.length;
+    var answered = false;
+
+    hosts.forEach(host => {
+      pingMetadataServer(host, this.metadataTimeout, this.metadataRetries, isAvailable => {
+        pending--;
+
+        if (answered || (!isAvailable && pending > 0)) {
+          return;
+        }
+
+        answered = true;
+        callback(isAvailable);
+      });
+    });
+  }
+
+  _refreshInBackground (expiresAt) {
+    this._refreshUncachedToken((err, token) => {
+      if (this.refreshScheduledFor !== expiresAt) {
+        // Stopped, or superseded by a newer token, in the meantime.
+        return;
+      }
+
+      if (err) {
+        // Keep using the current token until it expires, retrying until then.
+        this._setRefreshTimer(expiresAt);
+        return;
+      }
+
+      var newExpiresAt = this._getUncachedTokenExpiration();
+
+      if (!this.config.tokenCache) {
+        this._scheduleRefresh(newExpiresAt);
+        return;
+      }
+
+      this._getTokenCacheKey((err, key) => {
+        if (err) {
+          this._scheduleRefresh(newExpiresAt);
+          return;
+        }
+
+        this._cacheToken(key, token, newExpiresAt, () => {
+          this._scheduleRefresh(newExpiresAt);
+        });
+      });
+    });
+  }
+
+  // Unlike `_getSourceToken`, this replaces a token that is still valid.
+  _refreshSourceToken (callback) {
+    if (this.token) {
+      setImmediate(callback, null, this.token);
+      return;
+    }
+
+    if (this.tokenProvider) {
+      this._requestProvidedToken((err, token) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        this.sourceTokenInvalidated = false;
+
+        callback(null, token);
+      });
+      return;
+    }
+
+    this.getAuthClient((err, client) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      // JWT clients would otherwise return the token they already have.
+      if (client.gtoken) {
+        client.gtoken = null;
+      }
+
+      client.refreshAccessToken((err, credentials) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        this.sourceTokenInvalidated = false;
+
+        callback(null, credentials.access_token);
+      });
+    });
+  }
+
+  // Unlike `_getUncachedToken`, this replaces a token that is still valid.
+  _refreshUncachedToken (callback) {
+    if (this.config.subject) {
+      this._requestDelegatedToken(callback);
+      return;
+    }
+
+    if (this.config.impersonate) {
+      this._requestImpersonatedToken(callback);
+      return;
+    }
+
+    this._refreshSourceToken(callback);
+  }
+
+  // Rebuilds the auth client from a changed key file. The new client is built
+  // on its own, and only replaces the old one once it's ready, so nothing
+  // waits on it. If the new file can't be used, e.g. because it's only partly
+  // written, the old client is kept.
+  _reloadKeyFile () {
+    if (this.keyFileReloading) {
+      this._scheduleKeyFileReload();
+      return;
+    }
+
+    var loader = new Auth(Object.assign({}, this.config, { watchKeyFile: false }));
+    loader.refreshWindow = this.refreshWindow;
+
+    this.keyFileReloading = true;
+
+    loader.getAuthClient((err, authClient) => {
+      this.keyFileReloading = false;
+
+      if (err) {
+        this.emit('keyFileError', err);
+        return;
+      }
+
+      this._resetAuthClient();
+
+      this.authClient = authClient;
+      this.authClientPromise = loader.authClientPromise;
+      this.credentialSource = loader.credentialSource;
+      this.googleAuthClient = loader.googleAuthClient;
+      this.jwtClient = loader.jwtClient;
+      this.projectId = loader.projectId;
+      this.projectIdSource = loader.projectIdSource;
+
+      this.emit('keyFileChange', authClient);
+    });
+  }
+
+  // With domain-wide delegation, the service account signs an assertion that
+  // it's acting as the subject, and exchanges it for the subject's token. It's
+  // signed with `signJwt`, so a private key isn't needed.
+  // Ref: https://developers.google.com/identity/protocols/oauth2/service-account#delegatingauthority
+  _requestDelegatedToken (callback) {
+    var config = this.config;
+    var scopes = (config.impersonate && config.impersonate.scopes) || config.scopes || [CLOUD_PLATFORM_SCOPE];
+
+    this._getSigningServiceAccount((err, serviceAccount) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var claims = {
+        iss: serviceAccount,
+        sub: config.subject,
+        scope: scopes.join(' '),
+        aud: GOOGLE_TOKEN_URL
+      };
+
+      this.signJwt(claims, (err, assertion) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        makeRequest({
+          method: 'POST',
+          uri: GOOGLE_TOKEN_URL,
+          form: {
+            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+            assertion: assertion
+          },
+          json: true
+        }, (err, body) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+
+          this.delegatedToken = {
+            token: body.access_token,
+            expiresAt: Date.now() + body.expires_in * 1000
+          };
+
+          callback(null, body.access_token);
+        });
+      });
+    });
+  }
+
+  // Make a request to the IAM Credentials API as the source identity.
+  _requestIamCredentials (serviceAccount, method, json, callback) {
+    var baseUrl = this.config.iamCredentialsEndpoint || IAM_CREDENTIALS_URL;
+
+    this._getSourceToken((err, token) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      makeRequest({
+        method: 'POST',
+        uri: `${baseUrl}/projects/-/serviceAccounts/${serviceAccount}:${method}`,
+        headers: {
+          Authorization: `Bearer ${token}`
+        },
+        json: json
+      }, callback);
+    });
+  }
+
+  _requestImpersonatedToken (callback) {
+    var impersonate = this.config.impersonate;
+    var lifetime = impersonate.lifetime;
+
+    var json = {
+      delegates: formatDelegates(impersonate.delegates),
+      scope: impersonate.scopes || this.config.scopes || [CLOUD_PLATFORM_SCOPE]
+    };
+
+    if (lifetime) {
+      json.lifetime = typeof lifetime === 'number' ? `${lifetime}s` : lifetime;
+    }
+
+    var targetPrincipal = impersonate.targetPrincipal;
+
+    this._requestIamCredentials(targetPrincipal, 'generateAccessToken', json, (err, body) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      this.impersonatedToken = {
+        token: body.accessToken,
+        expiresAt: Date.parse(body.expireTime)
+      };
+
+      callback(null, body.accessToken);
+    });
+  }
+
+  // Concurrent requests share one call to `config.token`.
+  _requestProvidedToken (callback) {
+    if (this.providedTokenCallbacks) {
+      this.providedTokenCallbacks.push(callback);
+      return;
+    }
+
+    this.providedTokenCallbacks = [callback];
+
+    callTokenProvider(this.tokenProvider, (err, result) => {
+      var callbacks = this.providedTokenCallbacks;
+      this.providedTokenCallbacks = null;
+
+      var token = result && (typeof result === 'string' ? result : result.token);
+
+      if (!err && !token) {
+        err = new Error('The token provider did not return a token.');
+      }
+
+      if (err) {
+        callbacks.forEach(callback => callback(err));
+        return;
+      }
+
+      this.providedToken = {
+        token: token,
+        expiresAt: result.expiresAt ? new Date(result.expiresAt).getTime() : null
+      };
+
+      callbacks.forEach(callback => callback(null, token));
+    });
+  }
+
+  // Forget the auth client, and the credentials and tokens that came from it,
+  // so the next call to `getAuthClient` creates a new one.
+  _resetAuthClient () {
+    this.authClient = null;
+    this.authClientPromise = null;
+    this.credentials = null;
+    this.delegatedToken = null;
+    this.idTokens = {};
+    this.impersonatedToken = null;
+    this.jwtAccessTokens = {};
+    this.jwtClient = null;
+    this.projectId = this.config.projectId;
+    this.projectIdSource = this.config.projectId ? 'config' : null;
+    this.sourceTokenInvalidated = false;
+
+    Object.keys(this.derivedClients).forEach(key => {
+      var derivedClient = this.derivedClients[key];
+
+      derivedClient._resetAuthClient();
+      derivedClient.idTokens = this.idTokens;
+    });
+  }
+
+  // Changes often come in bursts, e.g. a truncation then a write, so they're
+  // handled together.
+  _scheduleKeyFileReload () {
+    clearTimeout(this.keyFileReloadTimer);
+
+    this.keyFileReloadTimer = setTimeout(() => {
+      this.keyFileReloadTimer = null;
+      this._reloadKeyFile();
+    }, KEY_FILE_RELOAD_DELAY);
+
+    this.keyFileReloadTimer.unref();
+  }
+
+  _scheduleRefresh (expiresAt) {
+    if (!this.config.backgroundRefresh || !expiresAt || expiresAt === this.refreshScheduledFor) {
+      return;
+    }
+
+    this._setRefreshTimer(expiresAt);
+  }
+
+  _setRefreshTimer (expiresAt) {
+    var now = Date.now();
+
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.refreshScheduledFor = expiresAt;
+
+    if (expiresAt <= now) {
+      return;
+    }
+
+    var delay = expiresAt - this.refreshWindow - now;
+
+    if (delay <= 0) {
+      // Already inside the refresh window, e.g. after a failed refresh. Retry
+      // periodically until the token expires.
+      delay = Math.min(BACKGROUND_REFRESH_RETRY_DELAY, expiresAt - now);
+    }
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this._refreshInBackground(expiresAt);
+    }, delay);
+
+    // Refreshing a token should never keep the process alive.
+    this.refreshTimer.unref();
+  }
+
+  // `this.getCredentials()` will always have been run by this time
+  _signJwtWithApi (claims, callback) {
+    var client_email = this.credentials.client_email;
+
+    if (!client_email) {
+      callback(new Error('Cannot sign data without `client_email`.'));
+      return;
+    }
+
+    var json = {
+      payload: JSON.stringify(claims)
+    };
+
+    this._requestIamCredentials(client_email, 'signJwt', json, (err, body) => {
+      callback(err, body && body.signedJwt);
+    });
+  }
+
+  _signJwtWithImpersonation (claims, callback) {
+    var impersonate = this.config.impersonate;
+
+    var json = {
+      delegates: formatDelegates(impersonate.delegates),
+      payload: JSON.stringify(claims)
+    };
+
+    this._requestIamCredentials(impersonate.targetPrincipal, 'signJwt', json, (err, body) => {
+      callback(err, body && body.signedJwt);
+    });
+  }
+
+  // `this.getCredentials()` will always have been run by this time
+  _signJwtWithPrivateKey (claims, callback) {
+    var privateKeyId = this.googleAuthClient.jsonContent.private_key_id;
+
+    var header = {
+      alg: 'RS256',
+      typ: 'JWT'
+    };
+
+    if (privateKeyId) {
+      header.kid = privateKeyId;
+    }
+
+    var unsignedJwt = [header, claims]
+      .map(part => base64UrlEncode(JSON.stringify(part)))
+      .join('.');
+
+    this._signWithPrivateKey(unsignedJwt, (err, signature) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, `${unsignedJwt}.${toBase64Url(signature)}`);
+    });
+  }
+
+  // `this.getCredentials()` will always have been run by this time
+  _signWithApi (data, callback) {
+    if (!this.projectId) {
+      callback(new Error('Cannot sign data without a project ID.'));
+      return;
+    }
+
+    var client_email = this.credentials.client_email;
+
+    if (!client_email) {
+      callback(new Error('Cannot sign data without `client_email`.'));
+      return;
+    }
+
+    var idString = `projects/${this.projectId}/serviceAccounts/${client_email}`;
+
+    // Not `authorizeRequest`, which would send an API key instead of a token.
+    this.getToken((err, token) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      makeRequest({
+        method: 'POST',
+        uri: `https://iam.googleapis.com/v1/${idString}:signBlob`,
+        headers: {
+          Authorization: `Bearer ${token}`
+        },
+        json: {
+          bytesToSign: Buffer.from(data).toString('base64')
+        }
+      }, (err, body) => {
+        callback(err, body && body.signature);
+      });
+    });
+  }
+
+  _signWithImpersonation (data, callback) {
+    var impersonate = this.config.impersonate;
+
+    var json = {
+      delegates: formatDelegates(impersonate.delegates),
+      payload: Buffer.from(data).toString('base64')
+    };
+
+    this._requestIamCredentials(impersonate.targetPrincipal, 'signBlob', json, (err, body) => {
+      callback(err, body && body.signedBlob);
+    });
+  }
+
+  // `this.getCredentials()` will always have been run by this time
+  _signWithPrivateKey (data, callback) {
+    var sign = crypto.createSign('RSA-SHA256');
+    sign.update(data);
+    callback(null, sign.sign(this.credentials.private_key, 'base64'));
+  }
+
+  // Without a key ID, the signature is valid if any certificate matches.
+  _verifyWithPublicCerts (data, signature, options, callback) {
+    var baseUrl = this.config.publicCertsEndpoint || PUBLIC_CERTS_URL;
+
+    async.waterfall([
+      callback => {
+        if (options.serviceAccount) {
+          setImmediate(callback, null, options.serviceAccount);
+          return;
+        }
+
+        this._getSigningServiceAccount(callback);
+      },
+
+      (serviceAccount, callback) => {
+        this._getPublicCerts(`${baseUrl}/${encodeURIComponent(serviceAccount)}`, callback);
+      }
+    ], (err, certs) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var keyIds = options.keyId ? [options.keyId] : Object.keys(certs);
+
+      callback(null, keyIds.some(keyId => {
+        return !!certs[keyId] && verifySignature(data, signature, certs[keyId]);
+      }));
+    });
+  }
+
+  // `fs.watch` is used where it's supported. Otherwise, or if it fails, the
+  // file's stats are polled instead.
+  _watchKeyFile (keyFile) {
+    var watchStats = () => {
+      var interval = this.config.watchKeyFile.interval || DEFAULT_KEY_FILE_POLL_INTERVAL;
+      var listener = () => this._scheduleKeyFileReload();
+
+      fs.watchFile(keyFile, { interval: interval, persistent: false }, listener);
+
+      this.keyFileWatcher = {
+        close: () => fs.unwatchFile(keyFile, listener)
+      };
+    };
+
+    var watch = () => {
+      var watcher;
+
+      try {
+        watcher = fs.watch(keyFile, { persistent: false });
+      } catch (e) {
+        watchStats();
+        return;
+      }
+
+      watcher.on('change', eventType => {
+        this._scheduleKeyFileReload();
+
+        // The file was replaced, e.g. by renaming another over it, so the one
+        // being watched is gone.
+        if (eventType === 'rename') {
+          watcher.close();
+          watch();
+        }
+      });
+
+      watcher.on('error', () => {
+        watcher.close();
+        watchStats();
+      });
+
+      this.keyFileWatcher = watcher;
+    };
+
+    watch();
+  }
+}
+
+// Keeps tokens in memory, shared by every client using the same instance.
+class MemoryTokenCache {
+  constructor () {
+    this.entries = {};
+  }
+
+  delete (key, callback) {
+    delete this.entries[key];
+    setImmediate(callback, null);
+  }
+
+  get (key, callback) {
+    var entry = this.entries[key];
+
+    if (entry && (typeof entry.expiresAt !== 'number' || entry.expiresAt <= Date.now())) {
+      delete this.entries[key];
+      entry = undefined;
+    }
+
+    setImmediate(callback, null, entry);
+  }
+
+  set (key, entry, callback) {
+    this.entries[key] = entry;
+    setImmediate(callback, null);
+  }
+}
+
+// Keeps tokens on disk, so they can be shared between processes. Each entry is
+// a file only readable by the current user, written atomically.
+class FileTokenCache {
+  constructor (directory) {
+    this.directory = directory || path.join(os.homedir(), '.cache', 'google-auto-auth');
+  }
+
+  delete (key, callback) {
+    fs.unlink(this._getFilePath(key), err => {
+      callback(err && err.code !== 'ENOENT' ? err : null);
+    });
+  }
+
+  get (key, callback) {
+    fs.readFile(this._getFilePath(key), 'utf8', (err, contents) => {
+      if (err) {
+        callback(err.code === 'ENOENT' ? null : err);
+        return;
+      }
+
+      var entry;
+
+      try {
+        entry = JSON.parse(contents);
+      } catch (e) {
+        // An unreadable entry is treated as missing.
+        entry = null;
+      }
+
+      if (!entry || typeof entry.expiresAt !== 'number' || entry.expiresAt <= Date.now()) {
+        this.delete(key, () => callback(null));
+        return;
+      }
+
+      callback(null, entry);
+    });
+  }
+
+  set (key, entry, callback) {
+    var filePath = this._getFilePath(key);
+    var tempFilePath = `${filePath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+
+    makeDirectory(this.directory, err => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      fs.writeFile(tempFilePath, JSON.stringify(entry), {
+        flag: 'wx',
+        mode: 0o600
+      }, err => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        fs.rename(tempFilePath, filePath, err => {
+          if (err) {
+            fs.unlink(tempFilePath, () => callback(err));
+            return;
+          }
+
+          callback(null);
+        });
+      });
+    });
+  }
+
+  _getFilePath (key) {
+    var hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+}
+
+// Methods that return a Promise when a callback is not provided.
+[
+  'authorizeRequest',
+  'getAuthClient',
+  'getCredentialSource',
+  'getCredentials',
+  'getEnvironment',
+  'getIdToken',
+  'getInstanceInfo',
+  'getProjectId',
+  'getSignedPolicy',
+  'getSignedUrl',
+  'getToken',
+  'invalidateToken',
+  'isAppEngine',
+  'isCloudFunction',
+  'isCloudRun',
+  'isCloudShell',
+  'isComputeEngine',
+  'isContainerEngine',
+  'request',
+  'sign',
+  'signJwt',
+  'verify',
+  'verifyIdToken'
+].forEach(methodName => {
+  Auth.prototype[methodName] = promisify(Auth.prototype[methodName]);
+});
+
+// Adds an API key to authorized request options, in the `x-goog-api-key`
+// header or, if `location` is "query", the `key` query parameter. A key
+// already on the request is left as it is.
+function addApiKey(reqOpts, apiKey, location) {
+  if (location !== 'query') {
+    if (!hasHeader(reqOpts.headers, 'x-goog-api-key')) {
+      reqOpts.headers['x-goog-api-key'] = apiKey;
+    }
+    return;
+  }
+
+  var uriProperty = reqOpts.uri ? 'uri' : 'url';
+  var uri = reqOpts[uriProperty];
+
+  if (reqOpts.qs || typeof uri !== 'string') {
+    reqOpts.qs = Object.assign({ key: apiKey }, reqOpts.qs);
+    return;
+  }
+
+  if (/[?&]key=/.test(uri.split('#')[0])) {
+    return;
+  }
+
+  reqOpts[uriProperty] = addQueryParameter(uri, 'key', apiKey);
+}
+
+function addQueryParameter(uri, name, value) {
+  var hashIndex = uri.indexOf('#');
+  var hash = hashIndex === -1 ? '' : uri.slice(hashIndex);
+  var base = hashIndex === -1 ? uri : uri.slice(0, hashIndex);
+  var separator = base.indexOf('?') === -1 ? '?' : '&';
+
+  return `${base}${separator}${name}=${encodeURIComponent(value)}${hash}`;
+}
+
+function base64UrlEncode(value) {
+  return toBase64Url(Buffer.from(value).toString('base64'));
+}
+
+// Token providers may return the token, return a Promise for it, or pass it to
+// a callback. Either way, `callback` is called once, asynchronously.
+function callTokenProvider(tokenProvider, callback) {
+  var called = false;
+
+  var done = (err, result) => {
+    if (!called) {
+      called = true;
+      setImmediate(callback, err, result);
+    }
+  };
+
+  var result;
+
+  try {
+    result = tokenProvider(done);
+  } catch (err) {
+    done(err);
+    return;
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(result => done(null, result), done);
+  } else if (result !== undefined) {
+    done(null, result);
+  }
+}
+
+function createApiError(response) {
+  var body = response.body;
+  var err;
+
+  if (body && typeof body.error === 'object') {
+    err = new Error(body.error.message);
+    Object.assign(err, body.error);
+  } else if (body && typeof body.error === 'string') {
+    // OAuth 2.0 error responses.
+    err = new Error(body.error_description || body.error);
+    err.code = response.statusCode;
+  } else {
+    err = new Error(body);
+    err.code = response.statusCode;
+  }
+
+  return err;
+}
+
+// Errors for ID tokens that aren't valid, as opposed to ones that occur while
+// getting the public keys.
+function createIdTokenError(message) {
+  var err = new Error(message);
+  err.code = 'INVALID_ID_TOKEN';
+  return err;
+}
+
+function createMissingScopeError() {
+  var err = new Error('Scopes are required for this request.');
+  err.code = 'MISSING_SCOPE';
+  return err;
+}
+
+function createTokenCacheKey(identity, scopes, subject) {
+  if (subject) {
+    // Delegated tokens are for the subject, not the service account.
+    identity = `${identity}:${subject}`;
+  }
+
+  return `${identity}|${(scopes || []).slice().sort().join(' ')}`;
+}
+
+// Returns the claims from a JWT's payload, or an empty object if the token
+// can't be decoded.
+function decodeJwtClaims(token) {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+  } catch (e) {
+    return {};
+  }
+}
+
+// Percent-encodes everything but unreserved characters, as RFC 3986 requires.
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, character => {
+    return `%${character.charCodeAt(0).toString(16).toUpperCase()}`;
+  });
+}
+
+// Delegates may be given as emails or as full resource names.
+function formatDelegates(delegates) {
+  return (delegates || []).map(delegate => {
+    if (delegate.indexOf('projects/') === 0) {
+      return delegate;
+    }
+
+    return `projects/-/serviceAccounts/${delegate}`;
+  });
+}
+
+// e.g. "20190201T090000Z".
+function formatGoog4Date(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]|\.\d{3}/g, '');
+}
+
+// Works out where `GoogleAuth#getApplicationDefault()` found credentials, in the
+// order it looks for them.
+function getApplicationDefaultSource(googleAuthClient) {
+  if (!googleAuthClient.jsonContent) {
+    return { type: 'metadata', filePath: null };
+  }
+
+  var envFilePath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+
+  if (envFilePath) {
+    return {
+      type: 'GOOGLE_APPLICATION_CREDENTIALS',
+      filePath: path.resolve(process.cwd(), envFilePath)
+    };
+  }
+
+  var configDirectory = process.platform === 'win32' ?
+    process.env.APPDATA :
+    path.join(process.env.HOME || os.homedir(), '.config');
+
+  return {
+    type: 'gcloud',
+    filePath: path.join(configDirectory, 'gcloud', 'application_default_credentials.json')
+  };
+}
+
+// Returns when a response stops being fresh, from its `Cache-Control` or
+// `Expires` header, or 0 if it can't be cached.
+function getCacheExpiration(headers) {
+  var cacheControl = headers['cache-control'] || '';
+
+  if (/(^|,)\s*(no-cache|no-store)\b/.test(cacheControl)) {
+    return 0;
+  }
+
+  var maxAge = cacheControl.match(/(?:^|,)\s*max-age=(\d+)/);
+
+  if (maxAge) {
+    var age = parseInt(headers.age, 10) || 0;
+    return Date.now() + (Number(maxAge[1]) - age) * 1000;
+  }
+
+  var expires = Date.parse(headers.expires);
+  return isNaN(expires) ? 0 : expires;
+}
+
+// A string identifying the account an auth client gets tokens for.
+function getClientIdentity(authClient) {
+  if (authClient.email) {
+    return authClient.email;
+  }
+
+  if (authClient instanceof ExternalAccountClient) {
+    return `external:${authClient.audience}`;
+  }
+
+  if (authClient._refreshToken) {
+    var hash = crypto.createHash('sha256').update(authClient._refreshToken).digest('hex');
+    return `user:${hash}`;
+  }
+
+  if (authClient.serviceAccountEmail) {
+    return `compute:${authClient.serviceAccountEmail}`;
+  }
+
+  return 'default';
+}
+
+// The audience of a self-signed JWT is the origin of the API, e.g.
+// `https://storage.googleapis.com/`.
+function getAudience(reqOpts) {
+  var uri = reqOpts.uri || reqOpts.url;
+
+  if (!uri) {
+    return;
+  }
+
+  var parsedUri = url.parse(typeof uri === 'string' ? uri : url.format(uri));
+
+  if (!parsedUri.host) {
+    return;
+  }
+
+  return `${parsedUri.protocol}//${parsedUri.host}/`;
+}
+
+// Credentials without a `type`, or with the "jwt-pem-p12" type, belong to a
+// service account. Without any JSON, they came from the metadata server.
+function getCredentialType(jsonContent) {
+  if (!jsonContent) {
+    return 'compute';
+  }
+
+  if (jsonContent.type === 'authorized_user' || jsonContent.type === 'external_account') {
+    return jsonContent.type;
+  }
+
+  return 'service_account';
+}
+
+function getGoog4CredentialScope(timestamp) {
+  return `${timestamp.slice(0, 8)}/auto/storage/goog4_request`;
+}
+
+// Seconds from `now` until `expires`, which can be anything `new Date()`
+// accepts, or an error if that's not a valid lifetime for a V4 signature.
+function getGoog4Lifetime(expires, now) {
+  var lifetime = Math.floor((new Date(expires).getTime() - now) / 1000);
+
+  if (isNaN(lifetime)) {
+    return new Error('An expiration date is required.');
+  }
+
+  if (lifetime <= 0) {
+    return new Error('The expiration date must be in the future.');
+  }
+
+  if (lifetime > MAX_GOOG4_LIFETIME) {
+    return new Error('The expiration date must be within seven days.');
+  }
+
+  return lifetime;
+}
+
+// Returns why an ID token's claims aren't acceptable, if they aren't.
+function getIdTokenClaimsError(claims, issuers, options) {
+  var now = Math.floor(Date.now() / 1000);
+  var clockSkew = typeof options.clockSkew === 'number' ? options.clockSkew : DEFAULT_CLOCK_SKEW;
+
+  if (typeof claims.exp !== 'number' || typeof claims.iat !== 'number') {
+    return createIdTokenError('The ID token must have `exp` and `iat` claims.');
+  }
+
+  if (claims.exp + clockSkew < now) {
+    return createIdTokenError('The ID token has expired.');
+  }
+
+  if (claims.iat - clockSkew > now) {
+    return createIdTokenError('The ID token is not valid yet.');
+  }
+
+  if (typeof options.maxAge === 'number' && claims.iat + options.maxAge + clockSkew < now) {
+    return createIdTokenError('The ID token is too old.');
+  }
+
+  if (issuers.indexOf(claims.iss) === -1) {
+    return createIdTokenError(`The ID token issuer \`${claims.iss}\` is not allowed.`);
+  }
+
+  if ([].concat(options.audience).indexOf(claims.aud) === -1) {
+    return createIdTokenError(`The ID token audience \`${claims.aud}\` is not allowed.`);
+  }
+
+  return null;
+}
+
+// The most specific platform an environment from `getEnvironment` matches, as
+// e.g. App Engine and GKE also run on Compute Engine.
+function getPlatform(env) {
+  if (env.IS_APP_ENGINE) {
+    return env.IS_APP_ENGINE_FLEXIBLE ? 'app-engine-flexible' : 'app-engine-standard';
+  }
+
+  if (env.IS_CLOUD_FUNCTION) {
+    return 'cloud-functions';
+  }
+
+  if (env.IS_CLOUD_RUN) {
+    return env.IS_CLOUD_RUN_JOB ? 'cloud-run-job' : 'cloud-run';
+  }
+
+  if (env.IS_CONTAINER_ENGINE) {
+    return 'kubernetes-engine';
+  }
+
+  if (env.IS_CLOUD_SHELL) {
+    return 'cloud-shell';
+  }
+
+  if (env.IS_COMPUTE_ENGINE) {
+    return 'compute-engine';
+  }
+
+  return null;
+}
+
+// Certificate sets are either a JWK set, or an object of PEM certificates keyed
+// by ID. Throws if the key can't be read.
+function getPublicKey(certs, keyId) {
+  if (Array.isArray(certs.keys)) {
+    var jwk = certs.keys.filter(key => key.kid === keyId)[0];
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(certs, keyId) && typeof certs[keyId] === 'string') {
+    return crypto.createPublicKey(certs[keyId]);
+  }
+
+  return null;
+}
+
+// The email in a URL like `.../serviceAccounts/<email>:generateAccessToken`.
+function getServiceAccountFromUrl(impersonationUrl) {
+  var match = /\/serviceAccounts\/([^/:]+):generateAccessToken$/.exec(impersonationUrl || '');
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Creates a directory, and any missing parents, only accessible by the current
+// user.
+function makeDirectory(directory, callback) {
+  fs.mkdir(directory, 0o700, err => {
+    if (!err || err.code === 'EEXIST') {
+      callback(null);
+      return;
+    }
+
+    if (err.code !== 'ENOENT') {
+      callback(err);
+      return;
+    }
+
+    makeDirectory(path.dirname(directory), err => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      makeDirectory(directory, callback);
+    });
+  });
+}
+
+// Accepts the forms of headers that `fetch` does: a `Headers` instance, an
+// array of pairs, or an object.
+function headersToObject(headers) {
+  var headersObject = {};
+
+  if (!headers) {
+    return headersObject;
+  }
+
+  if (Array.isArray(headers)) {
+    headers.forEach(header => {
+      headersObject[header[0]] = header[1];
+    });
+  } else if (typeof headers.forEach === 'function') {
+    headers.forEach((value, name) => {
+      headersObject[name] = value;
+    });
+  } else {
+    Object.assign(headersObject, headers);
+  }
+
+  return headersObject;
+}
+
+// Header names are case-insensitive.
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(headerName => headerName.toLowerCase() === name);
+}
+
+// Make an HTTP request, converting unsuccessful responses into errors.
+function makeRequest(reqOpts, callback) {
+  request(reqOpts, (err, resp, body) => {
+    if (!err) {
+      var response = resp.toJSON();
+
+      if (response.statusCode < 200 || response.statusCode >= 400) {
+        err = createApiError(response);
+      }
+    }
+
+    callback(err, body, resp);
+  });
+}
+
+// Network errors, including timeouts, are retried. Any response is final.
+function pingMetadataServer(host, timeout, retries, callback) {
+  request({
+    uri: `http://${host}`,
+    headers: {
+      'Metadata-Flavor': 'Google'
+    },
+    timeout: timeout
+  }, (err, res) => {
+    // Off Google Cloud, the request may time out rather than fail, and would
+    // only time out again.
+    var timedOut = !!err && (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT');
+
+    if (err && !timedOut && retries > 0) {
+      pingMetadataServer(host, timeout, retries - 1, callback);
+      return;
+    }
+
+    callback(!err && res.headers['metadata-flavor'] === 'Google');
+  });
+}
+
+function promisify(method) {
+  return function () {
+    var args = [].slice.call(arguments);
+
+    if (typeof args[args.length - 1] === 'function') {
+      return method.apply(this, args);
+    }
+
+    return new Promise((resolve, reject) => {
+      args.push((err, result) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(result);
+      });
+
+      method.apply(this, args);
+    });
+  };
+}
+
+// Responds like a Google API does, so clients can handle the error the same way.
+function sendAuthError(res, code, message, iap) {
+  res.statusCode = code;
+  res.setHeader('Content-Type', 'application/json');
+
+  if (code === 401 && !iap) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+  }
+
+  res.end(JSON.stringify({
+    error: {
+      code: code,
+      message: message,
+      status: code === 401 ? 'UNAUTHENTICATED' : 'PERMISSION_DENIED'
+    }
+  }));
+}
+
+function toBase64Url(base64) {
+  return base64.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function verifySignature(data, signature, key) {
+  var verify = crypto.createVerify('RSA-SHA256');
+  verify.update(data);
+  return verify.verify(key, signature, 'base64');
+}
+
+function withoutScopes(options) {
+  return Object.assign({}, options, { scopes: null });
+}
 
 module.exports = config => {
   return new Auth(config);
 };
+
+module.exports.middleware = config => {
+  return new Auth(config).createMiddleware(config);
+};
+
+module.exports.FileTokenCache = FileTokenCache;
+module.exports.MemoryTokenCache = MemoryTokenCache;